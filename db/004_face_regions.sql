@@ -0,0 +1,19 @@
+-- Face regions detected by deface or added by users during review
+CREATE TABLE face_regions (
+  id BIGSERIAL PRIMARY KEY,
+  image_id UUID NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+  job_id BIGINT REFERENCES jobs(id) ON DELETE SET NULL,
+  source TEXT NOT NULL DEFAULT 'detected' CHECK (source IN ('detected', 'manual')),
+  x INTEGER NOT NULL CHECK (x >= 0),
+  y INTEGER NOT NULL CHECK (y >= 0),
+  width INTEGER NOT NULL CHECK (width > 0),
+  height INTEGER NOT NULL CHECK (height > 0),
+  score REAL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_face_regions_image_id ON face_regions(image_id);
+
+CREATE TRIGGER face_regions_updated_at BEFORE UPDATE ON face_regions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
@@ -0,0 +1,70 @@
+-- Every processed result is kept as its own version
+CREATE TABLE image_versions (
+  id BIGSERIAL PRIMARY KEY,
+  image_id UUID NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+  job_id BIGINT REFERENCES jobs(id) ON DELETE SET NULL,
+  version INTEGER NOT NULL,
+  processed_path TEXT NOT NULL,
+  processing_options JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (image_id, version)
+);
+
+CREATE INDEX idx_image_versions_image_id ON image_versions(image_id);
+
+-- Existing results become version 1
+INSERT INTO image_versions (image_id, version, processed_path, processing_options)
+SELECT id, 1, processed_path, processing_options
+FROM images
+WHERE processed_path IS NOT NULL;
+
+-- Completing a job now records a new version and makes it the current result
+CREATE OR REPLACE FUNCTION complete_job(
+  job_id BIGINT,
+  p_processed_path TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_image_id UUID;
+  v_options JSONB;
+  v_version INTEGER;
+BEGIN
+  -- Update job status
+  UPDATE jobs
+  SET status = 'done'
+  WHERE id = job_id
+  RETURNING image_id, processing_options INTO v_image_id, v_options;
+
+  IF v_image_id IS NULL THEN
+    RETURN FALSE;
+  END IF;
+
+  -- Record the new version if processed path provided
+  IF p_processed_path IS NOT NULL THEN
+    SELECT COALESCE(MAX(version), 0) + 1
+    INTO v_version
+    FROM image_versions
+    WHERE image_id = v_image_id;
+
+    INSERT INTO image_versions (image_id, job_id, version, processed_path, processing_options)
+    VALUES (v_image_id, job_id, v_version, p_processed_path, v_options);
+
+    UPDATE images
+    SET
+      status = 'done',
+      processed_path = p_processed_path,
+      processing_options = v_options
+    WHERE id = v_image_id;
+  END IF;
+
+  -- Log event
+  INSERT INTO events (image_id, type, data)
+  VALUES (
+    v_image_id,
+    'job_completed',
+    jsonb_build_object('job_id', job_id, 'processed_path', p_processed_path, 'version', v_version)
+  );
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
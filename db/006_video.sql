@@ -0,0 +1,7 @@
+-- Allow MP4 and WebM uploads alongside images
+ALTER TABLE images DROP CONSTRAINT images_mime_check;
+ALTER TABLE images ADD CONSTRAINT images_mime_check
+  CHECK (mime IN ('image/jpeg', 'image/png', 'image/webp', 'video/mp4', 'video/webm'));
+
+-- Progress reported by the worker while deface runs over the frames
+ALTER TABLE jobs ADD COLUMN progress SMALLINT NOT NULL DEFAULT 0 CHECK (progress BETWEEN 0 AND 100);
@@ -0,0 +1,48 @@
+-- Push job status and progress changes so the API can stream them to browsers
+CREATE OR REPLACE FUNCTION notify_job_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM pg_notify('job_status_channel', json_build_object(
+    'id', NEW.id,
+    'image_id', NEW.image_id,
+    'kind', NEW.kind,
+    'status', NEW.status,
+    'progress', NEW.progress,
+    'attempts', NEW.attempts
+  )::text);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER jobs_notify_status AFTER UPDATE ON jobs
+  FOR EACH ROW WHEN (OLD.status IS DISTINCT FROM NEW.status OR OLD.progress IS DISTINCT FROM NEW.progress)
+  EXECUTE FUNCTION notify_job_status();
+
+-- Push image creation, status changes, completion and deletion
+CREATE OR REPLACE FUNCTION notify_image_status()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_image images%ROWTYPE;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    v_image := OLD;
+  ELSE
+    v_image := NEW;
+  END IF;
+
+  PERFORM pg_notify('image_status_channel', json_build_object(
+    'op', TG_OP,
+    'id', v_image.id,
+    'status', v_image.status,
+    'processed_path', v_image.processed_path
+  )::text);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER images_notify_insert_delete AFTER INSERT OR DELETE ON images
+  FOR EACH ROW EXECUTE FUNCTION notify_image_status();
+
+CREATE TRIGGER images_notify_status AFTER UPDATE ON images
+  FOR EACH ROW WHEN (OLD.status IS DISTINCT FROM NEW.status OR OLD.processed_path IS DISTINCT FROM NEW.processed_path)
+  EXECUTE FUNCTION notify_image_status();
@@ -0,0 +1,67 @@
+-- User accounts
+CREATE TABLE users (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  username TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TRIGGER users_updated_at BEFORE UPDATE ON users
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- Login sessions, only the SHA256 of the bearer token is stored
+CREATE TABLE sessions (
+  token_hash CHAR(64) PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX idx_sessions_user_id ON sessions(user_id);
+
+-- Images belong to the user who uploaded them, jobs through their image.
+-- Images uploaded before accounts existed have no owner and are admin-only.
+ALTER TABLE images ADD COLUMN owner_id UUID REFERENCES users(id) ON DELETE CASCADE;
+
+CREATE INDEX idx_images_owner_id ON images(owner_id, created_at DESC);
+
+-- Include the owner in live updates so the API only forwards them to that user
+CREATE OR REPLACE FUNCTION notify_job_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM pg_notify('job_status_channel', json_build_object(
+    'id', NEW.id,
+    'image_id', NEW.image_id,
+    'owner_id', (SELECT owner_id FROM images WHERE images.id = NEW.image_id),
+    'kind', NEW.kind,
+    'status', NEW.status,
+    'progress', NEW.progress,
+    'attempts', NEW.attempts
+  )::text);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION notify_image_status()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_image images%ROWTYPE;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    v_image := OLD;
+  ELSE
+    v_image := NEW;
+  END IF;
+
+  PERFORM pg_notify('image_status_channel', json_build_object(
+    'op', TG_OP,
+    'id', v_image.id,
+    'owner_id', v_image.owner_id,
+    'status', v_image.status,
+    'processed_path', v_image.processed_path
+  )::text);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,13 @@
+-- Revocable links to a processed version, only the SHA256 of the token is stored
+CREATE TABLE share_links (
+  id BIGSERIAL PRIMARY KEY,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  image_id UUID NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+  version_id BIGINT NOT NULL REFERENCES image_versions(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_share_links_image_id ON share_links(image_id);
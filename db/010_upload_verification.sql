@@ -0,0 +1,12 @@
+-- Uploads are verified against their declared hash, size and type before processing:
+-- uploaded -> verified (ready to process) or rejected (file deleted)
+ALTER TABLE images DROP CONSTRAINT images_status_check;
+ALTER TABLE images ADD CONSTRAINT images_status_check
+  CHECK (status IN ('uploaded', 'verified', 'rejected', 'queued', 'processing', 'done', 'failed'));
+
+-- Dimensions read from the stored file, NULL for videos
+ALTER TABLE images ADD COLUMN width INTEGER CHECK (width > 0);
+ALTER TABLE images ADD COLUMN height INTEGER CHECK (height > 0);
+
+-- Images that were already processed count as verified
+UPDATE images SET status = 'verified' WHERE status = 'uploaded' AND processed_path IS NOT NULL;
@@ -0,0 +1,26 @@
+-- Batches group many uploads under shared processing options
+CREATE TABLE batches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  processing_options JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_batches_owner_id ON batches(owner_id, created_at DESC);
+
+CREATE TRIGGER batches_updated_at BEFORE UPDATE ON batches
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- An image can be part of several batches when the same file is uploaded again,
+-- the filename is the one it had in this batch
+CREATE TABLE batch_images (
+  batch_id UUID NOT NULL REFERENCES batches(id) ON DELETE CASCADE,
+  image_id UUID NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+  filename TEXT NOT NULL,
+  added_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (batch_id, image_id)
+);
+
+CREATE INDEX idx_batch_images_image_id ON batch_images(image_id);
@@ -0,0 +1,223 @@
+-- Jobs can be cancelled while queued or running
+ALTER TABLE jobs DROP CONSTRAINT jobs_status_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_status_check
+  CHECK (status IN ('queued', 'processing', 'done', 'failed', 'cancelled'));
+
+CREATE INDEX idx_jobs_failed ON jobs(updated_at DESC) WHERE status = 'failed';
+
+-- Cancel a queued or running job. Running jobs are marked right away and the
+-- worker holding them is told to kill its deface process. The dedupe key is
+-- released so the same options can be queued again. Returns the previous
+-- status, or NULL when the job had already finished.
+CREATE OR REPLACE FUNCTION cancel_job(
+  p_job_id BIGINT
+)
+RETURNS TEXT AS $$
+DECLARE
+  v_status TEXT;
+  v_image_id UUID;
+BEGIN
+  SELECT status, image_id
+  INTO v_status, v_image_id
+  FROM jobs
+  WHERE id = p_job_id
+  FOR UPDATE;
+
+  IF v_status IS NULL OR v_status NOT IN ('queued', 'processing') THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE jobs
+  SET
+    status = 'cancelled',
+    dedupe_key = NULL
+  WHERE id = p_job_id;
+
+  -- Back to the last result, or ready to be processed again
+  UPDATE images
+  SET status = CASE WHEN processed_path IS NULL THEN 'verified' ELSE 'done' END
+  WHERE id = v_image_id;
+
+  IF v_status = 'processing' THEN
+    PERFORM pg_notify('job_cancel_channel', p_job_id::text);
+  END IF;
+
+  INSERT INTO events (image_id, type, data)
+  VALUES (
+    v_image_id,
+    'job_cancelled',
+    jsonb_build_object('job_id', p_job_id, 'previous_status', v_status)
+  );
+
+  RETURN v_status;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Put permanently failed jobs back in the queue with fresh attempts. Only the
+-- newest failed job of an image is taken, and only while nothing else is
+-- queued or running for it. Returns the ids of the requeued jobs.
+CREATE OR REPLACE FUNCTION requeue_jobs(
+  p_job_ids BIGINT[]
+)
+RETURNS TABLE (
+  id BIGINT
+) AS $$
+DECLARE
+  v_job RECORD;
+BEGIN
+  FOR v_job IN
+    SELECT DISTINCT ON (j.image_id) j.id, j.image_id, j.kind, j.error_log
+    FROM jobs j
+    JOIN images i ON i.id = j.image_id
+    WHERE j.id = ANY(p_job_ids)
+      AND j.status = 'failed'
+      AND i.status NOT IN ('queued', 'processing')
+    ORDER BY j.image_id, j.id DESC
+  LOOP
+    UPDATE jobs
+    SET
+      status = 'queued',
+      attempts = 0,
+      progress = 0,
+      run_at = NOW(),
+      claimed_by = NULL,
+      claimed_at = NULL
+    WHERE jobs.id = v_job.id;
+
+    UPDATE images
+    SET status = 'queued'
+    WHERE images.id = v_job.image_id;
+
+    INSERT INTO events (image_id, type, data)
+    VALUES (
+      v_job.image_id,
+      'job_requeued',
+      jsonb_build_object('job_id', v_job.id, 'previous_error', v_job.error_log)
+    );
+
+    -- Wake up idle workers, the queued trigger only fires on insert
+    PERFORM pg_notify('jobs_channel', json_build_object(
+      'id', v_job.id,
+      'image_id', v_job.image_id,
+      'kind', v_job.kind
+    )::text);
+
+    id := v_job.id;
+    RETURN NEXT;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- A cancelled job may still finish or fail on the worker, its result is dropped
+CREATE OR REPLACE FUNCTION complete_job(
+  job_id BIGINT,
+  p_processed_path TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_image_id UUID;
+  v_options JSONB;
+  v_version INTEGER;
+BEGIN
+  -- Update job status
+  UPDATE jobs
+  SET status = 'done'
+  WHERE id = job_id AND status = 'processing'
+  RETURNING image_id, processing_options INTO v_image_id, v_options;
+
+  IF v_image_id IS NULL THEN
+    RETURN FALSE;
+  END IF;
+
+  -- Record the new version if processed path provided
+  IF p_processed_path IS NOT NULL THEN
+    SELECT COALESCE(MAX(version), 0) + 1
+    INTO v_version
+    FROM image_versions
+    WHERE image_id = v_image_id;
+
+    INSERT INTO image_versions (image_id, job_id, version, processed_path, processing_options)
+    VALUES (v_image_id, job_id, v_version, p_processed_path, v_options);
+
+    UPDATE images
+    SET
+      status = 'done',
+      processed_path = p_processed_path,
+      processing_options = v_options
+    WHERE id = v_image_id;
+  END IF;
+
+  -- Log event
+  INSERT INTO events (image_id, type, data)
+  VALUES (
+    v_image_id,
+    'job_completed',
+    jsonb_build_object('job_id', job_id, 'processed_path', p_processed_path, 'version', v_version)
+  );
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION fail_job(
+  job_id BIGINT,
+  error_message TEXT,
+  max_attempts INTEGER DEFAULT 3
+)
+RETURNS TEXT AS $$
+DECLARE
+  v_attempts INTEGER;
+  v_image_id UUID;
+  v_status TEXT;
+BEGIN
+  SELECT attempts, image_id
+  INTO v_attempts, v_image_id
+  FROM jobs
+  WHERE id = job_id AND status = 'processing';
+
+  IF v_image_id IS NULL THEN
+    RETURN 'ignored';
+  END IF;
+
+  IF v_attempts >= max_attempts THEN
+    -- Final failure
+    UPDATE jobs
+    SET
+      status = 'failed',
+      error_log = error_message
+    WHERE id = job_id;
+
+    UPDATE images
+    SET status = 'failed'
+    WHERE id = v_image_id;
+
+    v_status := 'failed';
+  ELSE
+    -- Retry with exponential backoff
+    UPDATE jobs
+    SET
+      status = 'queued',
+      run_at = NOW() + (v_attempts * interval '10 seconds'),
+      error_log = error_message,
+      claimed_by = NULL,
+      claimed_at = NULL
+    WHERE id = job_id;
+
+    v_status := 'retry';
+  END IF;
+
+  -- Log event
+  INSERT INTO events (image_id, type, data)
+  VALUES (
+    v_image_id,
+    'job_' || v_status,
+    jsonb_build_object(
+      'job_id', job_id,
+      'attempts', v_attempts,
+      'error', error_message
+    )
+  );
+
+  RETURN v_status;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,65 @@
+-- Workers refresh this while they hold a job, a job whose worker stopped
+-- sending heartbeats (crashed or OOM-killed) is reclaimed after its lease
+ALTER TABLE jobs ADD COLUMN heartbeat_at TIMESTAMPTZ;
+
+-- Return jobs whose lease expired to the queue, or fail them for good once
+-- they used up their attempts. The lease starts at the claim and is renewed
+-- by every heartbeat. Safe to run from several workers at once.
+CREATE OR REPLACE FUNCTION reclaim_expired_jobs(
+  lease_seconds INTEGER,
+  max_attempts INTEGER DEFAULT 3
+)
+RETURNS TABLE (
+  id BIGINT,
+  status TEXT
+) AS $$
+DECLARE
+  v_job RECORD;
+  v_status TEXT;
+BEGIN
+  FOR v_job IN
+    SELECT j.id, j.image_id, j.attempts, j.claimed_by,
+           GREATEST(j.claimed_at, j.heartbeat_at) AS last_seen
+    FROM jobs j
+    WHERE j.status = 'processing'
+      AND GREATEST(j.claimed_at, j.heartbeat_at) < NOW() - make_interval(secs => lease_seconds)
+    FOR UPDATE SKIP LOCKED
+  LOOP
+    IF v_job.attempts >= max_attempts THEN
+      v_status := fail_job(v_job.id, 'Worker ' || v_job.claimed_by || ' stopped responding', max_attempts);
+    ELSE
+      UPDATE jobs
+      SET
+        status = 'queued',
+        run_at = NOW(),
+        progress = 0,
+        claimed_by = NULL,
+        claimed_at = NULL
+      WHERE jobs.id = v_job.id;
+
+      UPDATE images
+      SET status = 'queued'
+      WHERE images.id = v_job.image_id;
+
+      v_status := 'queued';
+    END IF;
+
+    INSERT INTO events (image_id, type, data)
+    VALUES (
+      v_job.image_id,
+      'job_reclaimed',
+      jsonb_build_object(
+        'job_id', v_job.id,
+        'worker', v_job.claimed_by,
+        'last_seen', v_job.last_seen,
+        'attempts', v_job.attempts,
+        'status', v_status
+      )
+    );
+
+    id := v_job.id;
+    status := v_status;
+    RETURN NEXT;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
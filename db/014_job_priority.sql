@@ -0,0 +1,107 @@
+-- Higher priorities are claimed first, 5 is the default
+ALTER TABLE jobs ADD COLUMN priority SMALLINT NOT NULL DEFAULT 5 CHECK (priority BETWEEN 0 AND 10);
+
+DROP INDEX idx_jobs_queue;
+CREATE INDEX idx_jobs_queue ON jobs(priority DESC, run_at) WHERE status = 'queued';
+
+-- Claim the most urgent jobs, sharing workers fairly between owners: within a
+-- priority every owner's oldest job comes before anyone's second, and owners
+-- with jobs already running queue behind those without. A large batch then
+-- only delays its own owner's other uploads, which can be given a higher priority.
+CREATE OR REPLACE FUNCTION claim_jobs(
+  worker_id TEXT,
+  batch_size INTEGER DEFAULT 1
+)
+RETURNS TABLE (
+  id BIGINT,
+  image_id UUID,
+  kind TEXT,
+  attempts INTEGER
+) AS $$
+DECLARE
+  claimed_job_ids BIGINT[];
+BEGIN
+  -- Claim jobs and get their IDs
+  WITH running AS (
+    SELECT i.owner_id, COUNT(*) AS count
+    FROM jobs
+    JOIN images i ON i.id = jobs.image_id
+    WHERE jobs.status = 'processing'
+    GROUP BY i.owner_id
+  ),
+  ranked AS (
+    SELECT
+      jobs.id,
+      ROW_NUMBER() OVER (
+        PARTITION BY jobs.priority, i.owner_id
+        ORDER BY jobs.run_at, jobs.id
+      ) + COALESCE(r.count, 0) AS fair_rank
+    FROM jobs
+    JOIN images i ON i.id = jobs.image_id
+    LEFT JOIN running r ON r.owner_id IS NOT DISTINCT FROM i.owner_id
+    WHERE jobs.status = 'queued'
+      AND jobs.run_at <= NOW()
+  ),
+  claimed AS (
+    UPDATE jobs
+    SET
+      status = 'processing',
+      claimed_by = worker_id,
+      claimed_at = NOW(),
+      attempts = jobs.attempts + 1
+    WHERE jobs.id IN (
+      SELECT jobs.id
+      FROM jobs
+      JOIN ranked ON ranked.id = jobs.id
+      ORDER BY jobs.priority DESC, ranked.fair_rank, jobs.run_at
+      FOR UPDATE OF jobs SKIP LOCKED
+      LIMIT batch_size
+    )
+    RETURNING jobs.id, jobs.image_id, jobs.kind, jobs.attempts
+  )
+  SELECT array_agg(c.id) INTO claimed_job_ids FROM claimed c;
+
+  -- Update corresponding images to processing status
+  UPDATE images
+  SET status = 'processing'
+  WHERE images.id IN (
+    SELECT DISTINCT j.image_id
+    FROM jobs j
+    WHERE j.id = ANY(claimed_job_ids)
+  );
+
+  -- Return the claimed jobs
+  RETURN QUERY
+  SELECT j.id, j.image_id, j.kind, j.attempts
+  FROM jobs j
+  WHERE j.id = ANY(claimed_job_ids);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Job counts per status and priority. Queued jobs also report how long they
+-- have been ready to run; jobs still queued or running are always included.
+DROP FUNCTION get_queue_stats();
+CREATE FUNCTION get_queue_stats()
+RETURNS TABLE (
+  status TEXT,
+  priority SMALLINT,
+  count BIGINT,
+  avg_wait_seconds DOUBLE PRECISION,
+  max_wait_seconds DOUBLE PRECISION
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    jobs.status,
+    jobs.priority,
+    COUNT(*),
+    AVG(GREATEST(EXTRACT(EPOCH FROM NOW() - jobs.run_at), 0)::DOUBLE PRECISION)
+      FILTER (WHERE jobs.status = 'queued'),
+    MAX(GREATEST(EXTRACT(EPOCH FROM NOW() - jobs.run_at), 0)::DOUBLE PRECISION)
+      FILTER (WHERE jobs.status = 'queued')
+  FROM jobs
+  WHERE jobs.created_at > NOW() - interval '24 hours'
+    OR jobs.status IN ('queued', 'processing')
+  GROUP BY jobs.status, jobs.priority;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,4 @@
+-- Set once the retention policy deleted the original, the processed versions stay
+ALTER TABLE images ADD COLUMN original_deleted_at TIMESTAMPTZ;
+
+CREATE INDEX idx_images_created_at ON images(created_at);
@@ -0,0 +1,97 @@
+-- Webhooks are called when a job finishes or fails for good. The URL comes from
+-- the upload, or from the owner's account when the upload did not set one.
+ALTER TABLE users ADD COLUMN webhook_url TEXT;
+-- Signs every delivery of the account, created with its first webhook
+ALTER TABLE users ADD COLUMN webhook_secret TEXT;
+ALTER TABLE images ADD COLUMN webhook_url TEXT;
+
+-- One row per notification, kept after delivery so it can be replayed
+CREATE TABLE webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  image_id UUID NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+  job_id BIGINT REFERENCES jobs(id) ON DELETE SET NULL,
+  url TEXT NOT NULL,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_status_code INTEGER,
+  last_error TEXT,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX idx_webhook_deliveries_image ON webhook_deliveries(image_id, created_at DESC);
+
+CREATE TRIGGER webhook_deliveries_updated_at BEFORE UPDATE ON webhook_deliveries
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- Queue a delivery for a job that reached done or failed. The trigger is
+-- deferred to the end of the transaction, so the version complete_job records
+-- after updating the job is already there.
+CREATE OR REPLACE FUNCTION queue_job_webhook()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_status TEXT;
+  v_url TEXT;
+  v_event TEXT;
+  v_version INTEGER;
+  v_processed_path TEXT;
+  v_delivery_id BIGINT;
+BEGIN
+  -- The job may have moved on again within the same transaction
+  SELECT status INTO v_status FROM jobs WHERE id = NEW.id;
+  IF v_status IS DISTINCT FROM NEW.status THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT COALESCE(i.webhook_url, u.webhook_url)
+  INTO v_url
+  FROM images i
+  LEFT JOIN users u ON u.id = i.owner_id
+  WHERE i.id = NEW.image_id;
+
+  IF v_url IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT version, processed_path
+  INTO v_version, v_processed_path
+  FROM image_versions
+  WHERE job_id = NEW.id;
+
+  v_event := CASE WHEN NEW.status = 'done' THEN 'image.completed' ELSE 'image.failed' END;
+
+  INSERT INTO webhook_deliveries (image_id, job_id, url, event, payload)
+  VALUES (
+    NEW.image_id,
+    NEW.id,
+    v_url,
+    v_event,
+    jsonb_build_object(
+      'event', v_event,
+      'image_id', NEW.image_id,
+      'job_id', NEW.id,
+      'kind', NEW.kind,
+      'status', NEW.status,
+      'version', v_version,
+      'processed_path', v_processed_path,
+      'error', CASE WHEN NEW.status = 'failed' THEN NEW.error_log END,
+      'attempts', NEW.attempts,
+      'at', NOW()
+    )
+  )
+  RETURNING id INTO v_delivery_id;
+
+  PERFORM pg_notify('webhooks_channel', json_build_object('id', v_delivery_id)::text);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE CONSTRAINT TRIGGER jobs_queue_webhook AFTER UPDATE ON jobs
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW WHEN (OLD.status IS DISTINCT FROM NEW.status AND NEW.status IN ('done', 'failed'))
+  EXECUTE FUNCTION queue_job_webhook();
@@ -0,0 +1,23 @@
+-- Name the file had when it was first uploaded, searched from the gallery
+ALTER TABLE images ADD COLUMN filename TEXT;
+
+-- Images uploaded into a batch already have their name there
+UPDATE images i
+SET filename = bi.filename
+FROM (
+  SELECT DISTINCT ON (image_id) image_id, filename
+  FROM batch_images
+  ORDER BY image_id, added_at
+) bi
+WHERE bi.image_id = i.id AND i.filename IS NULL;
+
+-- Substring search with ILIKE
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX idx_images_filename_trgm ON images USING gin (filename gin_trgm_ops);
+
+-- Keyset pagination per owner for every sort the gallery offers, the id
+-- breaks ties so pages stay stable while new uploads arrive
+CREATE INDEX idx_images_owner_created ON images(owner_id, created_at, id);
+CREATE INDEX idx_images_owner_bytes ON images(owner_id, bytes, id);
+CREATE INDEX idx_images_owner_filename ON images(owner_id, (COALESCE(filename, '')), id);
+CREATE INDEX idx_images_method ON images((processing_options->>'method'));
@@ -0,0 +1,43 @@
+-- Bulk operations delete, retry or reprocess many images in the background.
+-- The API instance running one holds a lease and renews it while working,
+-- an operation whose lease ran out is resumed by another instance.
+CREATE TABLE bulk_operations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  action TEXT NOT NULL CHECK (action IN ('delete', 'retry', 'reprocess')),
+  pipeline TEXT,
+  processing_options JSONB,
+  priority INTEGER,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'done')),
+  lease_expires_at TIMESTAMPTZ,
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_bulk_operations_owner ON bulk_operations(owner_id, created_at DESC);
+CREATE INDEX idx_bulk_operations_open ON bulk_operations(created_at) WHERE status <> 'done';
+
+CREATE TRIGGER bulk_operations_updated_at BEFORE UPDATE ON bulk_operations
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- Outcome per image. No foreign key to images, deleted images keep their
+-- result, and the filename is copied for the same reason.
+CREATE TABLE bulk_operation_items (
+  operation_id UUID NOT NULL REFERENCES bulk_operations(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  image_id UUID NOT NULL,
+  filename TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'done', 'skipped', 'failed')),
+  job_id BIGINT,
+  code TEXT,
+  message TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (operation_id, image_id)
+);
+
+CREATE INDEX idx_bulk_operation_items_pending ON bulk_operation_items(operation_id, position) WHERE status = 'pending';
+
+CREATE TRIGGER bulk_operation_items_updated_at BEFORE UPDATE ON bulk_operation_items
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
@@ -0,0 +1,110 @@
+-- Pipelines are implemented by the workers, `jobs.kind` names one. Workers
+-- publish the pipelines they run with the JSON schema of their options, the
+-- API validates `pipeline_options` against it before queueing a job.
+CREATE TABLE pipelines (
+  kind TEXT PRIMARY KEY CHECK (kind ~ '^[a-z][a-z0-9_]*$'),
+  description TEXT NOT NULL DEFAULT '',
+  media TEXT[] NOT NULL DEFAULT '{image/}',
+  options_schema JSONB NOT NULL DEFAULT '{"type": "object"}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TRIGGER pipelines_updated_at BEFORE UPDATE ON pipelines
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- The pipelines every release had, so jobs can be queued before a worker started
+INSERT INTO pipelines (kind, description, media, options_schema) VALUES
+  ('deface_boxes', 'Detect faces and anonymize them', '{image/,video/}',
+   '{"type": "object", "properties": {}, "additionalProperties": false}'),
+  ('render_regions', 'Anonymize the reviewed face regions again', '{image/}',
+   '{"type": "object", "properties": {}, "additionalProperties": false}');
+
+-- Running workers and the kinds they claim, refreshed with every heartbeat
+CREATE TABLE workers (
+  id TEXT PRIMARY KEY,
+  kinds TEXT[] NOT NULL,
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Options of the pipeline itself, separate from the shared render options
+ALTER TABLE jobs ADD COLUMN pipeline_options JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE bulk_operations ADD COLUMN pipeline_options JSONB;
+
+CREATE INDEX idx_jobs_queue_kind ON jobs(kind, priority DESC, run_at) WHERE status = 'queued';
+
+-- Same fair claiming as before, limited to the kinds the worker runs. NULL
+-- claims every kind, for workers that do not advertise theirs yet.
+DROP FUNCTION claim_jobs(TEXT, INTEGER);
+CREATE FUNCTION claim_jobs(
+  worker_id TEXT,
+  batch_size INTEGER DEFAULT 1,
+  worker_kinds TEXT[] DEFAULT NULL
+)
+RETURNS TABLE (
+  id BIGINT,
+  image_id UUID,
+  kind TEXT,
+  attempts INTEGER
+) AS $$
+DECLARE
+  claimed_job_ids BIGINT[];
+BEGIN
+  -- Claim jobs and get their IDs
+  WITH running AS (
+    SELECT i.owner_id, COUNT(*) AS count
+    FROM jobs
+    JOIN images i ON i.id = jobs.image_id
+    WHERE jobs.status = 'processing'
+    GROUP BY i.owner_id
+  ),
+  ranked AS (
+    SELECT
+      jobs.id,
+      ROW_NUMBER() OVER (
+        PARTITION BY jobs.priority, i.owner_id
+        ORDER BY jobs.run_at, jobs.id
+      ) + COALESCE(r.count, 0) AS fair_rank
+    FROM jobs
+    JOIN images i ON i.id = jobs.image_id
+    LEFT JOIN running r ON r.owner_id IS NOT DISTINCT FROM i.owner_id
+    WHERE jobs.status = 'queued'
+      AND jobs.run_at <= NOW()
+      AND (worker_kinds IS NULL OR jobs.kind = ANY(worker_kinds))
+  ),
+  claimed AS (
+    UPDATE jobs
+    SET
+      status = 'processing',
+      claimed_by = worker_id,
+      claimed_at = NOW(),
+      attempts = jobs.attempts + 1
+    WHERE jobs.id IN (
+      SELECT jobs.id
+      FROM jobs
+      JOIN ranked ON ranked.id = jobs.id
+      ORDER BY jobs.priority DESC, ranked.fair_rank, jobs.run_at
+      FOR UPDATE OF jobs SKIP LOCKED
+      LIMIT batch_size
+    )
+    RETURNING jobs.id, jobs.image_id, jobs.kind, jobs.attempts
+  )
+  SELECT array_agg(c.id) INTO claimed_job_ids FROM claimed c;
+
+  -- Update corresponding images to processing status
+  UPDATE images
+  SET status = 'processing'
+  WHERE images.id IN (
+    SELECT DISTINCT j.image_id
+    FROM jobs j
+    WHERE j.id = ANY(claimed_job_ids)
+  );
+
+  -- Return the claimed jobs
+  RETURN QUERY
+  SELECT j.id, j.image_id, j.kind, j.attempts
+  FROM jobs j
+  WHERE j.id = ANY(claimed_job_ids);
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,68 @@
+-- A job that failed for good no longer holds its dedupe key, like a cancelled
+-- one, so uploading or reprocessing with the same options queues a new job
+-- instead of returning the dead one.
+UPDATE jobs SET dedupe_key = NULL WHERE status = 'failed' AND dedupe_key IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION fail_job(
+  job_id BIGINT,
+  error_message TEXT,
+  max_attempts INTEGER DEFAULT 3
+)
+RETURNS TEXT AS $$
+DECLARE
+  v_attempts INTEGER;
+  v_image_id UUID;
+  v_status TEXT;
+BEGIN
+  SELECT attempts, image_id
+  INTO v_attempts, v_image_id
+  FROM jobs
+  WHERE id = job_id AND status = 'processing';
+
+  IF v_image_id IS NULL THEN
+    RETURN 'ignored';
+  END IF;
+
+  IF v_attempts >= max_attempts THEN
+    -- Final failure, the options may be queued again
+    UPDATE jobs
+    SET
+      status = 'failed',
+      error_log = error_message,
+      dedupe_key = NULL
+    WHERE id = job_id;
+
+    UPDATE images
+    SET status = 'failed'
+    WHERE id = v_image_id;
+
+    v_status := 'failed';
+  ELSE
+    -- Retry with exponential backoff
+    UPDATE jobs
+    SET
+      status = 'queued',
+      run_at = NOW() + (v_attempts * interval '10 seconds'),
+      error_log = error_message,
+      claimed_by = NULL,
+      claimed_at = NULL
+    WHERE id = job_id;
+
+    v_status := 'retry';
+  END IF;
+
+  -- Log event
+  INSERT INTO events (image_id, type, data)
+  VALUES (
+    v_image_id,
+    'job_' || v_status,
+    jsonb_build_object(
+      'job_id', job_id,
+      'attempts', v_attempts,
+      'error', error_message
+    )
+  );
+
+  RETURN v_status;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,56 @@
+import { ref } from 'vue'
+import axios from 'axios'
+
+// Logged-in user and bearer token, kept across reloads
+const stored = JSON.parse(localStorage.getItem('session') || 'null')
+
+export const session = ref(stored)
+
+axios.interceptors.request.use((request) => {
+  if (session.value && request.url.startsWith('/api/')) {
+    request.headers.Authorization = `Bearer ${session.value.token}`
+  }
+  return request
+})
+
+// An expired session sends the user back to the login screen
+axios.interceptors.response.use(undefined, (error) => {
+  if (error.response?.status === 401 && error.config.url.startsWith('/api/') &&
+      !error.config.url.startsWith('/api/v1/auth/login')) {
+    clearSession()
+  }
+  return Promise.reject(error)
+})
+
+const saveSession = (data) => {
+  session.value = data
+  localStorage.setItem('session', JSON.stringify(data))
+}
+
+const clearSession = () => {
+  session.value = null
+  localStorage.removeItem('session')
+}
+
+export const login = async (username, password) => {
+  const response = await axios.post('/api/v1/auth/login', { username, password })
+  saveSession(response.data)
+}
+
+export const register = async (username, password) => {
+  const response = await axios.post('/api/v1/auth/register', { username, password })
+  saveSession(response.data)
+}
+
+export const logout = async () => {
+  try {
+    await axios.post('/api/v1/auth/logout')
+  } finally {
+    clearSession()
+  }
+}
+
+// EventSource cannot send headers, so streams get the token in the query string
+export const streamUrl = (path) => {
+  return `${path}?access_token=${encodeURIComponent(session.value?.token || '')}`
+}
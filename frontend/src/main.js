@@ -1,4 +1,5 @@
 import { createApp } from 'vue'
 import App from './App.vue'
+import './auth'
 
 createApp(App).mount('#app')
\ No newline at end of file
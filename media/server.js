@@ -1,12 +1,15 @@
 import Fastify from 'fastify';
-import fastifyStatic from '@fastify/static';
 import cors from '@fastify/cors';
 import sensible from '@fastify/sensible';
-import { createHmac } from 'crypto';
+import archiver from 'archiver';
+import { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
 import { promises as fs } from 'fs';
+import { once } from 'events';
+import { Transform, pipeline } from 'stream';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { createFilesystemStorage, createS3Storage } from './storage.js';
 
 dotenv.config();
 
@@ -16,7 +19,7 @@ const app = Fastify({
   logger: {
     level: process.env.LOG_LEVEL || 'info'
   },
-  bodyLimit: 26 * 1024 * 1024 // 26MB to handle 25MB files plus overhead
+  bodyLimit: 10 * 1024 * 1024 // JSON only, uploads are streamed; archive descriptions of large batches
 });
 
 // Config
@@ -24,33 +27,123 @@ const config = {
   port: process.env.PORT || 8081,
   host: '0.0.0.0',
   mediaRoot: process.env.MEDIA_ROOT || path.join(__dirname, '../media-data'),
-  signingSecret: process.env.MEDIA_SIGNING_SECRET || 'dev-secret-change-in-production'
+  signingSecret: process.env.MEDIA_SIGNING_SECRET || 'dev-secret-change-in-production',
+  serviceToken: process.env.MEDIA_SERVICE_TOKEN || 'dev-service-token-change-in-production',
+  maxVideoBytes: parseInt(process.env.MAX_VIDEO_UPLOAD_MB || '500') * 1024 * 1024,
+  storageBackend: process.env.STORAGE_BACKEND || 'filesystem',
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    publicEndpoint: process.env.S3_PUBLIC_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true', // MinIO and most self-hosted stores
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  }
 };
 
+// Originals, processed files and used upload tokens live in the configured
+// store, so several media instances share them. Archive descriptions stay
+// under MEDIA_ROOT/tmp.
+function createStorage() {
+  switch (config.storageBackend) {
+    case 'filesystem':
+      return createFilesystemStorage(config.mediaRoot);
+    case 's3':
+      if (!config.s3.bucket) {
+        throw new Error('S3_BUCKET must be set for the s3 storage backend');
+      }
+      return createS3Storage(config.s3);
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${config.storageBackend}`);
+  }
+}
+
+const storage = createStorage();
+
 // Register plugins
 await app.register(cors, {
   origin: true // Allow all origins for development
 });
 await app.register(sensible);
 
-// Add content type parser for binary uploads
-app.addContentTypeParser(['image/jpeg', 'image/png', 'image/webp', 'application/octet-stream'], 
-  { parseAs: 'buffer' }, 
-  async (req, body) => body
-);
-
-// Serve static files from processed directory
-await app.register(fastifyStatic, {
-  root: path.join(config.mediaRoot, 'processed'),
-  prefix: '/processed/',
-  serve: true,
-  list: false
+// Uploads are streamed into storage instead of being buffered
+app.addContentTypeParser(['image/jpeg', 'image/png', 'image/webp', 'video/mp4', 'video/webm', 'application/octet-stream'], (req, payload, done) => {
+  done(null, payload);
 });
 
-// HMAC verification hook for signed routes
+const storageAreas = ['originals', 'processed'];
+const noncePrefix = 'upload-tokens';
+const archiveDir = path.join(config.mediaRoot, 'tmp', 'archives');
+const archivePattern = /^\/archives\/([0-9a-f-]{36})\.zip$/;
+
+// Compare secrets without leaking how many leading characters matched
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+// Turn a file path inside one storage area into its storage key, rejecting anything that escapes it
+function storageKey(area, filepath) {
+  const key = path.posix.normalize(`${area}/${filepath}`);
+  if (!key.startsWith(`${area}/`) || key.endsWith('/') || filepath.includes('\\')) {
+    throw app.httpErrors.badRequest('Invalid path');
+  }
+  return key;
+}
+
+// Storage key of a checked `/area/...` path
+function keyFromPath(filePath) {
+  const [, area, ...rest] = filePath.split('/');
+  return storageKey(area, rest.join('/'));
+}
+
+// PUT signatures also cover a single-use nonce and the expected content,
+// so an upload URL can only write the exact file declared when it was issued
+function signPayload({ method, path: filePath, expires, nonce, sha256, bytes }) {
+  const payload = method === 'PUT' ?
+    `${method}:${filePath}:${expires}:${nonce}:${sha256}:${bytes}` :
+    `${method}:${filePath}:${expires}`;
+  return createHmac('sha256', config.signingSecret).update(payload).digest('hex');
+}
+
+// Mark an upload token as used. The marker is created in the shared store, so
+// it survives restarts and a token used on one instance is refused by every
+// other; it fails when the token was seen before. The signature covers the
+// expiry, so a nonce always comes with the same one.
+async function consumeNonce(nonce, expires) {
+  return storage.create(`${noncePrefix}/${expires}.${nonce}`, String(expires));
+}
+
+// Drop archive descriptions nobody downloaded in time
+async function purgeExpiredArchives() {
+  const now = Date.now();
+  for (const file of await fs.readdir(archiveDir)) {
+    const specPath = path.join(archiveDir, file);
+    const spec = JSON.parse(await fs.readFile(specPath, 'utf8').catch(() => '{}'));
+    if (!(spec.expires > now)) {
+      await fs.unlink(specPath).catch(() => {});
+    }
+  }
+}
+
+// Drop markers of tokens whose signature has expired anyway
+async function purgeExpiredNonces() {
+  const now = Date.now();
+  for (const marker of await storage.list(noncePrefix)) {
+    const expires = parseInt(path.posix.basename(marker.path));
+    if (!(expires >= now)) {
+      await storage.remove(marker.path).catch(() => {});
+    }
+  }
+}
+
+// HMAC verification hook for signed routes. The signature is sent as headers,
+// or as query parameters where the browser loads the URL directly (<img>, <video>)
 async function verifyHmac(request, reply) {
-  const signature = request.headers['x-signature'];
-  const expires = parseInt(request.headers['x-expires']);
+  const signature = request.headers['x-signature'] || request.query.signature;
+  const expires = parseInt(request.headers['x-expires'] || request.query.expires);
   
   if (!signature || !expires) {
     return reply.code(401).send({ error: 'Missing signature' });
@@ -60,15 +153,41 @@ async function verifyHmac(request, reply) {
     return reply.code(403).send({ error: 'Signature expired' });
   }
 
-  const method = request.method;
-  const path = request.url.split('?')[0];
-  const expected = createHmac('sha256', config.signingSecret)
-    .update(`${method}:${path}:${expires}`)
-    .digest('hex');
+  const upload = {
+    nonce: request.headers['x-upload-nonce'],
+    sha256: request.headers['x-content-sha256'],
+    bytes: parseInt(request.headers['x-content-bytes'])
+  };
+  
+  if (request.method === 'PUT' && (!/^[a-f0-9]{32}$/.test(upload.nonce || '') || !upload.sha256 || !upload.bytes)) {
+    return reply.code(401).send({ error: 'Missing upload token' });
+  }
+
+  const expected = signPayload({
+    method: request.method,
+    path: request.url.split('?')[0],
+    expires,
+    ...upload
+  });
 
-  if (signature !== expected) {
+  if (!safeEqual(signature, expected)) {
     return reply.code(403).send({ error: 'Invalid signature' });
   }
+  
+  if (request.method === 'PUT') {
+    if (!(await consumeNonce(upload.nonce, expires))) {
+      return reply.code(403).send({ error: 'Upload token already used' });
+    }
+    request.upload = upload;
+  }
+}
+
+// Only the API and the processor may request signatures
+async function verifyServiceToken(request, reply) {
+  const [scheme, token] = (request.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token || !safeEqual(token, config.serviceToken)) {
+    return reply.code(401).send({ error: 'Invalid service credential' });
+  }
 }
 
 // Ensure directory exists
@@ -76,115 +195,498 @@ async function ensureDir(dirPath) {
   await fs.mkdir(dirPath, { recursive: true });
 }
 
+// Stream a request body into storage. Size and SHA256 are checked before the
+// stream ends, so the store only keeps files matching what the upload token declared.
+async function writeBody(key, body, expected, contentType) {
+  const maxBytes = Math.min(expected.bytes, config.maxVideoBytes);
+  const hash = createHash('sha256');
+  let received = 0;
+  const verify = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(app.httpErrors.payloadTooLarge(`File too large. Max size: ${maxBytes} bytes`));
+      } else {
+        hash.update(chunk);
+        callback(null, chunk);
+      }
+    },
+    flush(callback) {
+      if (received !== expected.bytes) {
+        callback(app.httpErrors.badRequest(`Expected ${expected.bytes} bytes, received ${received}`));
+      } else if (hash.digest('hex') !== expected.sha256) {
+        callback(app.httpErrors.badRequest('Content does not match the declared SHA256'));
+      } else {
+        callback();
+      }
+    }
+  });
+  
+  // Errors of the request stream reach the store through the verifying stream
+  const source = pipeline(body, verify, () => {});
+  await storage.write(key, source, { ...expected, contentType });
+}
+
+const contentTypes = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg', 
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+};
+
+// Identify the file type from its magic bytes
+// ISO-BMFF brands of MP4 video. HEIC, AVIF, QuickTime and 3GP files share
+// the ftyp box, their major brand tells them apart even when they list an
+// MP4 brand as compatible.
+const mp4Brands = new Set(['isom', 'iso2', 'iso3', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'dash']);
+const otherBrands = /^(heic|heix|heim|heis|hevc|hevx|mif1|msf1|avif|avis|qt {2}|3g[gp2]\w|crx |jp2 |jpx )$/;
+
+function isMp4Brand(header) {
+  const size = Math.min(header.readUInt32BE(0), header.length);
+  const major = header.toString('latin1', 8, 12);
+  if (mp4Brands.has(major)) {
+    return true;
+  }
+  if (otherBrands.test(major)) {
+    return false;
+  }
+  
+  // Other majors (e.g. Sony's MSNV or Apple's M4V) count when an MP4 brand is compatible
+  for (let offset = 16; offset + 4 <= size; offset += 4) {
+    if (mp4Brands.has(header.toString('latin1', offset, offset + 4))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function sniffMime(header) {
+  if (header.length < 12) {
+    return null;
+  }
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (header.toString('latin1', 4, 8) === 'ftyp' && isMp4Brand(header)) {
+    return 'video/mp4';
+  }
+  // Matroska container with the webm doctype in its EBML header
+  if (header.readUInt32BE(0) === 0x1a45dfa3 && header.subarray(0, 64).includes('webm')) {
+    return 'video/webm';
+  }
+  return null;
+}
+
+// Read width and height from the image header, null when they cannot be found
+function imageDimensions(header, mime) {
+  try {
+    if (mime === 'image/png') {
+      return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+    }
+    
+    if (mime === 'image/webp') {
+      const chunk = header.toString('latin1', 12, 16);
+      if (chunk === 'VP8 ') {
+        return { width: header.readUInt16LE(26) & 0x3fff, height: header.readUInt16LE(28) & 0x3fff };
+      }
+      if (chunk === 'VP8L') {
+        const bits = header.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      if (chunk === 'VP8X') {
+        return { width: header.readUIntLE(24, 3) + 1, height: header.readUIntLE(27, 3) + 1 };
+      }
+    }
+    
+    if (mime === 'image/jpeg') {
+      // Walk the segments until a start-of-frame marker
+      let offset = 2;
+      while (offset < header.length) {
+        if (header[offset] !== 0xff) {
+          return null;
+        }
+        const marker = header[offset + 1];
+        if (marker === 0xff) {
+          offset += 1;
+        } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+          offset += 2;
+        } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { width: header.readUInt16BE(offset + 7), height: header.readUInt16BE(offset + 5) };
+        } else {
+          offset += 2 + header.readUInt16BE(offset + 2);
+        }
+      }
+    }
+  } catch (err) {
+    if (!(err instanceof RangeError)) {
+      throw err;
+    }
+  }
+  return null;
+}
+
+// Hash a stored file and read its type and dimensions from the first megabyte
+async function inspectFile(key) {
+  const hash = createHash('sha256');
+  const headerChunks = [];
+  let headerBytes = 0;
+  let bytes = 0;
+  
+  for await (const chunk of await storage.read(key)) {
+    hash.update(chunk);
+    bytes += chunk.length;
+    if (headerBytes < 1024 * 1024) {
+      headerChunks.push(chunk);
+      headerBytes += chunk.length;
+    }
+  }
+  
+  const header = Buffer.concat(headerChunks);
+  const mime = sniffMime(header);
+  const dimensions = mime?.startsWith('image/') ? imageDimensions(header, mime) : null;
+  
+  return {
+    sha256: hash.digest('hex'),
+    bytes,
+    mime,
+    width: dimensions?.width || null,
+    height: dimensions?.height || null
+  };
+}
+
 // Routes
 app.get('/health', async () => ({ status: 'ok', service: 'media' }));
 
-// Signed URL generation endpoint (internal use)
-app.post('/sign', async (request) => {
-  const { method, path, expiresIn = 300 } = request.body;
-  const expires = Date.now() + (expiresIn * 1000);
+function signPath(params) {
+  const signature = signPayload(params);
+  const headers = {
+    'X-Signature': signature,
+    'X-Expires': params.expires
+  };
   
-  const signature = createHmac('sha256', config.signingSecret)
-    .update(`${method}:${path}:${expires}`)
-    .digest('hex');
+  if (params.method === 'PUT') {
+    headers['X-Upload-Nonce'] = params.nonce;
+    headers['X-Content-Sha256'] = params.sha256;
+    headers['X-Content-Bytes'] = params.bytes;
+  }
   
   return { 
-    url: `${path}`,
-    headers: {
-      'X-Signature': signature,
-      'X-Expires': expires
-    }
+    url: `${params.path}`,
+    query: `?expires=${params.expires}&signature=${signature}`,
+    headers
   };
-});
+}
 
-// Upload endpoint with HMAC verification
-app.put('/originals/*', { preHandler: verifyHmac }, async (request) => {
-  const filepath = request.params['*'];
-  const fullPath = path.join(config.mediaRoot, 'originals', filepath);
+// Only files inside a storage area and prepared archives can be signed
+function checkSignablePath(filePath) {
+  if (archivePattern.test(filePath)) {
+    return;
+  }
+  const [empty, area, ...rest] = String(filePath).split('/');
+  if (empty !== '' || !storageAreas.includes(area) || rest.length === 0) {
+    throw app.httpErrors.badRequest(`Invalid path: ${filePath}`);
+  }
+  storageKey(area, rest.join('/'));
+}
+
+// Parse a single `bytes=start-end` range. Undefined means the whole file is
+// sent, null that the range cannot be satisfied.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return undefined;
+  }
   
-  await ensureDir(path.dirname(fullPath));
+  const range = match[1] === '' ?
+    { start: Math.max(0, size - parseInt(match[2])), end: size - 1 } :
+    { start: parseInt(match[1]), end: match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1) };
+  return range.start <= range.end && range.start < size ? range : null;
+}
+
+// Serve a stored file with range support so video players can seek. Files loaded
+// by the browser with a query signature (<img>, <video>) are redirected to the
+// store when it presigns URLs, so their bytes do not pass through this service.
+// Signatures sent as headers would not survive a redirect to another origin,
+// those requests (the processor, fetch in the frontend) get the file streamed.
+async function sendStored(request, reply, key, cacheControl) {
+  const stats = await storage.stat(key);
+  if (!stats) {
+    return reply.notFound();
+  }
   
-  // Write atomically
-  const tempPath = `${fullPath}.tmp`;
-  await fs.writeFile(tempPath, request.body);
-  await fs.rename(tempPath, fullPath);
+  if (cacheControl) {
+    reply.header('Cache-Control', cacheControl);
+  }
   
-  return { success: true, path: `originals/${filepath}` };
+  if (request.query.signature) {
+    const expiresIn = Math.max(1, Math.ceil((parseInt(request.query.expires) - Date.now()) / 1000));
+    const url = await storage.presignGet(key, { expiresIn, cacheControl });
+    if (url) {
+      return reply.redirect(url);
+    }
+  }
+  
+  reply
+    .type(contentTypes[path.extname(key)] || 'application/octet-stream')
+    .header('Accept-Ranges', 'bytes')
+    .header('Last-Modified', new Date(stats.modified).toUTCString());
+  
+  const range = parseRange(request.headers.range, stats.bytes);
+  if (range === null) {
+    return reply.code(416).header('Content-Range', `bytes */${stats.bytes}`).send();
+  }
+  if (range) {
+    return reply
+      .code(206)
+      .header('Content-Range', `bytes ${range.start}-${range.end}/${stats.bytes}`)
+      .header('Content-Length', range.end - range.start + 1)
+      .send(await storage.read(key, range));
+  }
+  
+  return reply.header('Content-Length', stats.bytes).send(await storage.read(key));
+}
+
+// Signed URL generation endpoint (internal use, requires the service token).
+// Pass `paths` instead of `path` to sign a whole gallery page in one call.
+// PUTs must declare the `sha256` and `bytes` of the file that will be uploaded.
+app.post('/sign', { preHandler: verifyServiceToken }, async (request) => {
+  const { method, path: filePath, paths, expiresIn = 300, sha256, bytes } = request.body || {};
+  
+  if (!['GET', 'PUT', 'DELETE'].includes(method)) {
+    throw app.httpErrors.badRequest('method must be GET, PUT or DELETE');
+  }
+  if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > 7 * 24 * 3600) {
+    throw app.httpErrors.badRequest('expiresIn must be between 1 second and 7 days');
+  }
+  
+  if (paths) {
+    if (method !== 'GET' || !Array.isArray(paths)) {
+      throw app.httpErrors.badRequest('Batch signing is only available for GET');
+    }
+    paths.forEach(checkSignablePath);
+    
+    // Round the expiry to a window of half the lifetime so the same file gets the
+    // same URL across page loads and browsers can reuse cached thumbnails
+    const windowMs = expiresIn * 500;
+    const expires = (Math.floor(Date.now() / windowMs) + 3) * windowMs;
+    return { urls: paths.map(p => signPath({ method, path: p, expires })) };
+  }
+  
+  checkSignablePath(filePath);
+  const expires = Date.now() + (expiresIn * 1000);
+  
+  if (method === 'PUT') {
+    if (!/^[a-f0-9]{64}$/.test(sha256 || '') || !Number.isInteger(bytes) || bytes < 1) {
+      throw app.httpErrors.badRequest('PUT signatures require sha256 and bytes');
+    }
+    return signPath({ method, path: filePath, expires, nonce: randomBytes(16).toString('hex'), sha256, bytes });
+  }
+  
+  return signPath({ method, path: filePath, expires });
 });
 
-app.put('/processed/*', { preHandler: verifyHmac }, async (request) => {
-  const filepath = request.params['*'];
-  const fullPath = path.join(config.mediaRoot, 'processed', filepath);
+// Report the actual hash, size, type and dimensions of a stored file (internal use)
+app.post('/inspect', { preHandler: verifyServiceToken }, async (request, reply) => {
+  const { path: filePath } = request.body || {};
+  checkSignablePath(filePath);
+  const key = keyFromPath(filePath);
   
-  await ensureDir(path.dirname(fullPath));
+  if (!(await storage.stat(key))) {
+    return reply.notFound(`File not found: ${filePath}`);
+  }
+  return inspectFile(key);
+});
+
+// List all files of a storage area so the API can reconcile them with its records (internal use)
+app.get('/files/:area', { preHandler: verifyServiceToken }, async (request) => {
+  const { area } = request.params;
+  if (!storageAreas.includes(area)) {
+    throw app.httpErrors.notFound(`Unknown storage area: ${area}`);
+  }
   
-  const tempPath = `${fullPath}.tmp`;
-  await fs.writeFile(tempPath, request.body);
-  await fs.rename(tempPath, fullPath);
+  return { files: await storage.list(area) };
+});
+
+// Delete many files in one request (internal use). Missing files count as
+// deleted, files that could not be removed are listed with the error.
+app.post('/files/delete', { preHandler: verifyServiceToken }, async (request) => {
+  const { paths } = request.body || {};
+
+  if (!Array.isArray(paths) || paths.length === 0 || paths.length > 1000) {
+    throw app.httpErrors.badRequest('paths must be an array of 1 to 1000 paths');
+  }
+  for (const filePath of paths) {
+    checkSignablePath(filePath);
+    if (archivePattern.test(filePath)) {
+      throw app.httpErrors.badRequest(`Invalid path: ${filePath}`);
+    }
+  }
+
+  const deleted = [];
+  const missing = [];
+  const failed = [];
+  for (const filePath of paths) {
+    try {
+      if (await storage.remove(keyFromPath(filePath))) {
+        deleted.push(filePath);
+      } else {
+        missing.push(filePath);
+      }
+    } catch (err) {
+      request.log.error({ err }, `Failed to delete ${filePath}`);
+      failed.push({ path: filePath, error: err.message });
+    }
+  }
+
+  return { deleted, missing, failed };
+});
+
+// Describe a ZIP archive of stored files (internal use). Nothing is copied:
+// the archive is built while it is downloaded from the signed GET below.
+app.post('/archives', { preHandler: verifyServiceToken }, async (request) => {
+  const { name = 'export.zip', files, manifest } = request.body || {};
   
-  return { success: true, path: `processed/${filepath}` };
+  if (!Array.isArray(files) || files.length === 0) {
+    throw app.httpErrors.badRequest('files must be a non-empty array');
+  }
+  for (const file of files) {
+    checkSignablePath(file.path);
+    if (archivePattern.test(file.path) || typeof file.name !== 'string' || file.name.length === 0) {
+      throw app.httpErrors.badRequest(`Invalid archive entry: ${file.path}`);
+    }
+  }
+  
+  const id = randomUUID();
+  const spec = { name, files, manifest, expires: Date.now() + 60 * 60 * 1000 };
+  await fs.writeFile(path.join(archiveDir, `${id}.json`), JSON.stringify(spec));
+  
+  return { path: `/archives/${id}.zip` };
 });
 
-// Get original with signature
-app.get('/originals/*', { preHandler: verifyHmac }, async (request, reply) => {
-  const filepath = request.params['*'];
-  const fullPath = path.join(config.mediaRoot, 'originals', filepath);
+// Download a prepared archive with signature. Files are stored without
+// compression since images and videos are compressed already.
+app.get('/archives/*', { preHandler: verifyHmac }, async (request, reply) => {
+  const [, id] = request.url.split('?')[0].match(archivePattern) || [];
+  if (!id) {
+    return reply.notFound();
+  }
   
+  let spec;
   try {
-    const file = await fs.readFile(fullPath);
-    const ext = path.extname(filepath);
-    const contentType = {
-      '.jpg': 'image/jpeg',
-      '.jpeg': 'image/jpeg', 
-      '.png': 'image/png',
-      '.webp': 'image/webp'
-    }[ext] || 'application/octet-stream';
-    
-    return reply.type(contentType).send(file);
+    spec = JSON.parse(await fs.readFile(path.join(archiveDir, `${id}.json`), 'utf8'));
   } catch (err) {
     if (err.code === 'ENOENT') {
       return reply.notFound();
     }
     throw err;
   }
+  
+  // Files removed since the archive was prepared are listed in the manifest
+  const entries = [];
+  const missing = [];
+  for (const file of spec.files) {
+    const key = keyFromPath(file.path);
+    if (await storage.stat(key)) {
+      entries.push({ key, name: file.name });
+    } else {
+      missing.push(file.name);
+    }
+  }
+  
+  const archive = archiver('zip', { store: true });
+  archive.on('warning', (err) => request.log.warn({ err }, 'Archive warning'));
+  archive.on('error', (err) => request.log.error({ err }, 'Archive failed'));
+  
+  // Files are opened one at a time as the archive reaches them, so a large
+  // batch does not hold a connection to the store for every file at once
+  const appendEntries = async () => {
+    for (const entry of entries) {
+      archive.append(await storage.read(entry.key), { name: entry.name });
+      await once(archive, 'entry');
+    }
+    if (spec.manifest) {
+      const manifest = missing.length > 0 ? { ...spec.manifest, missing } : spec.manifest;
+      archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    }
+    await archive.finalize();
+  };
+  appendEntries().catch((err) => {
+    request.log.error({ err }, 'Archive failed');
+    archive.abort();
+  });
+  
+  const filename = spec.name.replace(/[^\w.\- ()]/g, '_');
+  return reply
+    .type('application/zip')
+    .header('Content-Disposition', `attachment; filename="${filename}"`)
+    .send(archive);
+});
+
+// Upload endpoint with HMAC verification
+app.put('/originals/*', { preHandler: verifyHmac }, async (request) => {
+  const filepath = request.params['*'];
+  await writeBody(storageKey('originals', filepath), request.body, request.upload, request.headers['content-type']);
+  
+  return { success: true, path: `originals/${filepath}` };
+});
+
+app.put('/processed/*', { preHandler: verifyHmac }, async (request) => {
+  const filepath = request.params['*'];
+  await writeBody(storageKey('processed', filepath), request.body, request.upload, request.headers['content-type']);
+  
+  return { success: true, path: `processed/${filepath}` };
+});
+
+// Get original with signature
+app.get('/originals/*', { preHandler: verifyHmac }, async (request, reply) => {
+  return sendStored(request, reply, storageKey('originals', request.params['*']));
+});
+
+// Get processed file with signature, cached by the browser until the signature expires
+app.get('/processed/*', { preHandler: verifyHmac }, async (request, reply) => {
+  const expires = parseInt(request.headers['x-expires'] || request.query.expires);
+  const maxAge = Math.max(0, Math.floor((expires - Date.now()) / 1000));
+  return sendStored(request, reply, storageKey('processed', request.params['*']), `private, max-age=${maxAge}`);
 });
 
 // Delete original with signature
 app.delete('/originals/*', { preHandler: verifyHmac }, async (request, reply) => {
   const filepath = request.params['*'];
-  const fullPath = path.join(config.mediaRoot, 'originals', filepath);
   
-  try {
-    await fs.unlink(fullPath);
-    return { success: true, message: `Deleted originals/${filepath}` };
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      return reply.notFound({ error: `File not found: originals/${filepath}` });
-    }
-    throw err;
+  if (!(await storage.remove(storageKey('originals', filepath)))) {
+    return reply.notFound({ error: `File not found: originals/${filepath}` });
   }
+  return { success: true, message: `Deleted originals/${filepath}` };
 });
 
 // Delete processed with signature
 app.delete('/processed/*', { preHandler: verifyHmac }, async (request, reply) => {
   const filepath = request.params['*'];
-  const fullPath = path.join(config.mediaRoot, 'processed', filepath);
   
-  try {
-    await fs.unlink(fullPath);
-    return { success: true, message: `Deleted processed/${filepath}` };
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      return reply.notFound({ error: `File not found: processed/${filepath}` });
-    }
-    throw err;
+  if (!(await storage.remove(storageKey('processed', filepath)))) {
+    return reply.notFound({ error: `File not found: processed/${filepath}` });
   }
+  return { success: true, message: `Deleted processed/${filepath}` };
 });
 
 // Start server
+await ensureDir(archiveDir);
+setInterval(() => {
+  purgeExpiredNonces().catch(err => app.log.error({ err }, 'Failed to purge upload tokens'));
+  purgeExpiredArchives().catch(err => app.log.error({ err }, 'Failed to purge archives'));
+}, 10 * 60 * 1000).unref();
+
 try {
   await app.listen({ port: config.port, host: config.host });
-  console.log(`Media service running on port ${config.port}`);
+  console.log(`Media service running on port ${config.port} with ${storage.name} storage`);
 } catch (err) {
   app.log.error(err);
   process.exit(1);
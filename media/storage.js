@@ -0,0 +1,224 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { promises as fs, createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import path from 'path';
+
+// Storage adapters. Keys are relative paths such as `originals/2024/05/{uuid}.jpg`
+// and are validated by the caller. Every adapter implements:
+//
+//   write(key, source, { bytes, sha256, contentType })
+//     Store a stream. The source errors when its content turns out to be wrong,
+//     and nothing may be left under the key in that case.
+//   stat(key)                  -> { bytes, modified } or null when missing
+//   read(key, { start, end })  -> readable stream, the range is optional and inclusive
+//   create(key, body)          -> false when the key exists already, atomic across instances
+//   remove(key)                -> false when nothing was stored under the key
+//   list(prefix)               -> [{ path, bytes, modified }] of every key below prefix/
+//   presignGet(key, { expiresIn, cacheControl })
+//     -> URL the client can load directly, or null when files are served by the media service
+
+export function createFilesystemStorage(root) {
+  const base = path.resolve(root);
+
+  // Keys are checked already, this only guards against resolving outside the root
+  function resolve(key) {
+    const fullPath = path.resolve(base, key);
+    if (!fullPath.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  }
+
+  async function walk(dir, relative) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      const entryRelative = `${relative}/${entry.name}`;
+      if (entry.isDirectory()) {
+        files.push(...await walk(entryPath, entryRelative));
+      } else if (entry.isFile()) {
+        const stats = await fs.stat(entryPath);
+        files.push({ path: entryRelative, bytes: stats.size, modified: stats.mtime });
+      }
+    }
+    return files;
+  }
+
+  return {
+    name: 'filesystem',
+
+    // Written next to the target and renamed once complete, so readers never see partial files
+    async write(key, source) {
+      const fullPath = resolve(key);
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+
+      const tempPath = `${fullPath}.tmp`;
+      try {
+        await pipeline(source, createWriteStream(tempPath));
+        await fs.rename(tempPath, fullPath);
+      } catch (err) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw err;
+      }
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.stat(resolve(key));
+        return stats.isFile() ? { bytes: stats.size, modified: stats.mtime } : null;
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async read(key, range = {}) {
+      return createReadStream(resolve(key), range);
+    },
+
+    async create(key, body) {
+      const fullPath = resolve(key);
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      try {
+        await fs.writeFile(fullPath, body, { flag: 'wx' });
+        return true;
+      } catch (err) {
+        if (err.code === 'EEXIST') return false;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolve(key));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+
+    async list(prefix) {
+      return walk(resolve(prefix), prefix);
+    },
+
+    async presignGet() {
+      return null;
+    }
+  };
+}
+
+// S3 or any store speaking its API (MinIO, Ceph, R2). Credentials fall back to
+// the SDK's default chain (environment, instance role) when not configured.
+// URLs handed to browsers are signed for `publicEndpoint` when the store is
+// reached under another address from inside the deployment.
+export function createS3Storage({ bucket, region, endpoint, publicEndpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+  const clientConfig = {
+    region,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    // Not every S3-compatible store accepts the trailing checksums the SDK sends by default
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED'
+  };
+  const client = new S3Client({ ...clientConfig, endpoint });
+  const presignClient = publicEndpoint ? new S3Client({ ...clientConfig, endpoint: publicEndpoint }) : client;
+
+  const isNotFound = (err) => err.name === 'NotFound' || err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: 's3',
+
+    // The store checks the declared SHA256 itself, a body that does not match
+    // or breaks off never becomes an object
+    async write(key, source, { bytes, sha256, contentType }) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: source,
+        ContentLength: bytes,
+        ContentType: contentType,
+        ChecksumSHA256: Buffer.from(sha256, 'hex').toString('base64')
+      }));
+    },
+
+    async stat(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { bytes: head.ContentLength, modified: head.LastModified };
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async read(key, range = {}) {
+      const object = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Range: range.start !== undefined ? `bytes=${range.start}-${range.end ?? ''}` : undefined
+      }));
+      return object.Body;
+    },
+
+    // Conditional write, the store refuses it when the object exists (412) or
+    // another write of the same key is in flight (409)
+    async create(key, body) {
+      try {
+        await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, IfNoneMatch: '*' }));
+        return true;
+      } catch (err) {
+        if ([409, 412].includes(err.$metadata?.httpStatusCode)) return false;
+        throw err;
+      }
+    },
+
+    // Deletes succeed whether or not the object existed, so this checks first
+    async remove(key) {
+      if (!(await this.stat(key))) return false;
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    },
+
+    async list(prefix) {
+      const files = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: `${prefix}/`,
+          ContinuationToken
+        }));
+        for (const object of page.Contents || []) {
+          files.push({ path: object.Key, bytes: object.Size, modified: object.LastModified });
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return files;
+    },
+
+    async presignGet(key, { expiresIn, cacheControl }) {
+      return getSignedUrl(presignClient, new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseCacheControl: cacheControl
+      }), { expiresIn });
+    }
+  };
+}
@@ -0,0 +1,236 @@
+"""Face region helper built on the deface library.
+
+Splits deface's single detect-and-anonymize pass in two so the worker can
+store detections and re-render from an edited set of regions:
+
+  detect INPUT --scale WxH [--thresh T]
+      Prints {"width", "height", "regions": [{x, y, width, height, score}]}
+  detect-plates INPUT --model FILE [--size N] [--thresh T]
+      Finds license plates with a YOLOv8 ONNX export whose classes are all
+      plates, and prints the same JSON as detect.
+  render INPUT OUTPUT --regions FILE [--replacewith M] [--mosaicsize N]
+         [--mask-scale S] [--boxes] [--draw-scores] [--metadata P]
+      Anonymizes the regions listed in the JSON file and writes OUTPUT with
+      the metadata allowed by the policy. Prints {"policy", "removed", "kept"}.
+
+Images are loaded with their EXIF orientation applied, so region coordinates
+always refer to the upright image and the output needs no orientation tag.
+"""
+import argparse
+import json
+import sys
+
+import cv2
+import numpy as np
+from deface.centerface import CenterFace
+from deface.deface import anonymize_frame
+from PIL import ExifTags, Image, ImageOps
+
+ORIENTATION = ExifTags.Base.Orientation
+
+
+def load_upright(path):
+    """Return the opened image and its pixels with the EXIF orientation applied."""
+    source = Image.open(path)
+    upright = ImageOps.exif_transpose(source)
+    has_alpha = 'A' in upright.getbands() or 'transparency' in upright.info
+    frame = np.array(upright.convert('RGBA' if has_alpha else 'RGB'))
+    return source, frame
+
+
+def describe_metadata(source):
+    """Names of the metadata entries in the source image."""
+    exif = source.getexif()
+    names = [ExifTags.TAGS.get(tag, hex(tag)) for tag in exif
+             if tag not in (ExifTags.IFD.Exif, ExifTags.IFD.GPSInfo)]
+    names += [ExifTags.TAGS.get(tag, hex(tag)) for tag in exif.get_ifd(ExifTags.IFD.Exif)]
+    if exif.get_ifd(ExifTags.IFD.GPSInfo):
+        names.append('GPSInfo')
+    if source.info.get('icc_profile'):
+        names.append('ICCProfile')
+    if source.info.get('xmp') or source.info.get('XML:com.adobe.xmp'):
+        names.append('XMP')
+    if source.info.get('comment'):
+        names.append('Comment')
+    return names
+
+
+def metadata_for_policy(source, policy):
+    """Save arguments carrying the metadata the policy allows to keep.
+
+    keep: everything, safe: orientation and color profile, strip: nothing.
+    The orientation is already applied to the pixels, so a kept tag is reset to 1.
+    """
+    exif = source.getexif()
+    icc_profile = source.info.get('icc_profile')
+    save_args = {}
+
+    if policy == 'keep':
+        if ORIENTATION in exif:
+            exif[ORIENTATION] = 1
+        save_args['exif'] = exif.tobytes()
+        if icc_profile:
+            save_args['icc_profile'] = icc_profile
+        xmp = source.info.get('xmp') or source.info.get('XML:com.adobe.xmp')
+        if xmp:
+            save_args['xmp'] = xmp
+        if source.info.get('comment'):
+            save_args['comment'] = source.info['comment']
+        kept = describe_metadata(source)
+    elif policy == 'safe':
+        kept = []
+        if ORIENTATION in exif:
+            safe_exif = Image.Exif()
+            safe_exif[ORIENTATION] = 1
+            save_args['exif'] = safe_exif.tobytes()
+            kept.append('Orientation')
+        if icc_profile:
+            save_args['icc_profile'] = icc_profile
+            kept.append('ICCProfile')
+    else:
+        kept = []
+
+    removed = [name for name in describe_metadata(source) if name not in kept]
+    return save_args, kept, removed
+
+
+def parse_scale(value):
+    width, height = value.split('x')
+    return int(width), int(height)
+
+
+def clip_regions(dets, width, height):
+    """Regions of the [x1, y1, x2, y2, score] boxes that lie inside the image."""
+    regions = []
+    for x1, y1, x2, y2, score in dets:
+        x1, y1 = max(0, int(x1)), max(0, int(y1))
+        x2, y2 = min(width, int(x2)), min(height, int(y2))
+        if x2 <= x1 or y2 <= y1:
+            continue
+        regions.append({
+            'x': x1,
+            'y': y1,
+            'width': x2 - x1,
+            'height': y2 - y1,
+            'score': round(float(score), 4)
+        })
+    return regions
+
+
+def detect(args):
+    _, frame = load_upright(args.input)
+    centerface = CenterFace(in_shape=parse_scale(args.scale) if args.scale else None)
+    dets, _ = centerface(np.ascontiguousarray(frame[:, :, :3]), threshold=args.thresh)
+
+    height, width = frame.shape[:2]
+    regions = clip_regions(dets, width, height)
+    json.dump({'width': width, 'height': height, 'regions': regions}, sys.stdout)
+
+
+def detect_plates(args):
+    _, frame = load_upright(args.input)
+    rgb = np.ascontiguousarray(frame[:, :, :3])
+    height, width = rgb.shape[:2]
+
+    # Letterbox into the square input the model was exported with
+    ratio = min(args.size / width, args.size / height)
+    resized = cv2.resize(rgb, (max(1, round(width * ratio)), max(1, round(height * ratio))))
+    canvas = np.full((args.size, args.size, 3), 114, dtype=np.uint8)
+    canvas[:resized.shape[0], :resized.shape[1]] = resized
+
+    net = cv2.dnn.readNetFromONNX(args.model)
+    net.setInput(cv2.dnn.blobFromImage(canvas, 1 / 255.0, (args.size, args.size)))
+    output = net.forward()[0]
+    # One column per candidate: cx, cy, w, h and a score per class
+    if output.shape[0] > output.shape[1]:
+        output = output.T
+
+    scores = output[4:].max(axis=0)
+    candidates = np.flatnonzero(scores >= args.thresh)
+    boxes = [[float(output[0, i] - output[2, i] / 2) / ratio,
+              float(output[1, i] - output[3, i] / 2) / ratio,
+              float(output[2, i]) / ratio,
+              float(output[3, i]) / ratio] for i in candidates]
+    kept = cv2.dnn.NMSBoxes(boxes, [float(scores[i]) for i in candidates], args.thresh, 0.45)
+
+    dets = [[boxes[k][0], boxes[k][1], boxes[k][0] + boxes[k][2], boxes[k][1] + boxes[k][3],
+             scores[candidates[k]]] for k in np.array(kept).flatten()]
+    regions = clip_regions(dets, width, height)
+    json.dump({'width': width, 'height': height, 'regions': regions}, sys.stdout)
+
+
+def render(args):
+    source, frame = load_upright(args.input)
+    with open(args.regions) as f:
+        regions = json.load(f)
+
+    # Boxes checked against the unrotated size may still reach past the upright frame
+    height, width = frame.shape[:2]
+    regions = clip_regions([
+        [r['x'], r['y'], r['x'] + r['width'], r['y'] + r['height'],
+         r['score'] if r.get('score') is not None else 1.0]
+        for r in regions
+    ], width, height)
+
+    dets = np.array([
+        [r['x'], r['y'], r['x'] + r['width'], r['y'] + r['height'], r['score']]
+        for r in regions
+    ], dtype=np.float32).reshape(-1, 5)
+
+    anonymize_frame(
+        dets, frame,
+        mask_scale=args.mask_scale,
+        replacewith=args.replacewith,
+        ellipse=not args.boxes,
+        draw_scores=args.draw_scores,
+        replaceimg=None,
+        mosaicsize=args.mosaicsize
+    )
+
+    output = Image.fromarray(frame)
+    if output.mode == 'RGBA' and args.output.lower().endswith(('.jpg', '.jpeg')):
+        output = output.convert('RGB')
+
+    save_args, kept, removed = metadata_for_policy(source, args.metadata)
+    output.save(args.output, **save_args)
+
+    json.dump({'policy': args.metadata, 'removed': removed, 'kept': kept}, sys.stdout)
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__)
+    commands = parser.add_subparsers(dest='command', required=True)
+
+    detect_parser = commands.add_parser('detect')
+    detect_parser.add_argument('input')
+    detect_parser.add_argument('--scale')
+    detect_parser.add_argument('--thresh', type=float, default=0.2)
+    detect_parser.set_defaults(handler=detect)
+
+    plates_parser = commands.add_parser('detect-plates')
+    plates_parser.add_argument('input')
+    plates_parser.add_argument('--model', required=True)
+    plates_parser.add_argument('--size', type=int, default=640)
+    plates_parser.add_argument('--thresh', type=float, default=0.4)
+    plates_parser.set_defaults(handler=detect_plates)
+
+    render_parser = commands.add_parser('render')
+    render_parser.add_argument('input')
+    render_parser.add_argument('output')
+    render_parser.add_argument('--regions', required=True)
+    render_parser.add_argument('--replacewith', default='mosaic',
+                               choices=['blur', 'solid', 'none', 'mosaic'])
+    render_parser.add_argument('--mosaicsize', type=int, default=20)
+    render_parser.add_argument('--mask-scale', type=float, default=1.3)
+    render_parser.add_argument('--boxes', action='store_true')
+    render_parser.add_argument('--draw-scores', action='store_true')
+    render_parser.add_argument('--metadata', default='strip',
+                               choices=['strip', 'safe', 'keep'])
+    render_parser.set_defaults(handler=render)
+
+    args = parser.parse_args()
+    args.handler(args)
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,26 @@
+// Detect faces and anonymize them. Detections on images replace the image's
+// detected regions, so they can be reviewed and rendered again; regions a
+// reviewer added survive and are rendered along with them. Videos go
+// through deface in one pass since regions are not reviewable per frame.
+export function createDefaceBoxesPipeline({ detectFaces, saveDetectedRegions, renderImage, runDeface, finishVideo, timeStage, createProgressReporter }) {
+  return {
+    kind: 'deface_boxes',
+    description: 'Detect faces and anonymize them',
+    media: ['image/', 'video/'],
+    optionsSchema: { type: 'object', properties: {}, additionalProperties: false },
+    
+    async run(context) {
+      const { job, client, inputPath, outputPath, options, media, signal } = context;
+      
+      if (media === 'video') {
+        await timeStage('inference', media, () => runDeface(inputPath, outputPath, options, createProgressReporter(job.id), signal));
+        await finishVideo(context);
+        return;
+      }
+      
+      const regions = await timeStage('inference', media, () => detectFaces(inputPath, options, signal));
+      const manual = await saveDetectedRegions(client, job, regions);
+      await renderImage(context, [...regions, ...manual]);
+    }
+  };
+}
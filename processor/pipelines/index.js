@@ -0,0 +1,34 @@
+import { createDefaceBoxesPipeline } from './deface-boxes.js';
+import { createRenderRegionsPipeline } from './render-regions.js';
+import { createManualRegionsPipeline } from './manual-regions.js';
+import { createLicensePlatesPipeline } from './license-plates.js';
+
+// Pipelines turn the downloaded original of a job into its anonymized output,
+// `jobs.kind` names the one to run. Every pipeline has:
+//
+//   kind            name stored in jobs.kind
+//   description     listed by GET /v1/pipelines
+//   media           mime type prefixes it accepts
+//   optionsSchema   JSON schema of the job's `pipeline_options`, published to
+//                   the database so the API validates them before queueing
+//   run(context)    writes context.outputPath from context.inputPath
+//
+// The context carries the `job` and `image` rows, `inputPath` and `outputPath`,
+// the shared render `options`, the `pipelineOptions`, `media` (image or video),
+// the database `client` and the `signal` that aborts the job.
+//
+// Pipelines get the worker's deface and region helpers passed in as `tools`.
+export function createPipelines(tools, { plateModelPath }) {
+  const pipelines = [
+    createDefaceBoxesPipeline(tools),
+    createRenderRegionsPipeline(tools),
+    createManualRegionsPipeline(tools)
+  ];
+  
+  // Plates need a detection model, none is bundled
+  if (plateModelPath) {
+    pipelines.push(createLicensePlatesPipeline(tools));
+  }
+  
+  return new Map(pipelines.map(pipeline => [pipeline.kind, pipeline]));
+}
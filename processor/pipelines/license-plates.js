@@ -0,0 +1,33 @@
+// Detect license plates and anonymize them with the shared render options.
+// Plates are not stored as regions, those stay the image's faces.
+export function createLicensePlatesPipeline({ detectPlates, renderImage, timeStage }) {
+  return {
+    kind: 'license_plates',
+    description: 'Detect license plates and anonymize them',
+    media: ['image/'],
+    optionsSchema: {
+      type: 'object',
+      properties: {
+        threshold: {
+          type: 'number',
+          minimum: 0.05,
+          maximum: 0.95,
+          default: 0.4,
+          description: 'Detection confidence, lower values find more plates along with more false positives'
+        }
+      },
+      additionalProperties: false
+    },
+    
+    async run(context) {
+      const { job, client, inputPath, pipelineOptions, media, signal } = context;
+      
+      const regions = await timeStage('inference', media, () => detectPlates(inputPath, pipelineOptions.threshold ?? 0.4, signal));
+      await client.query(
+        'INSERT INTO events (image_id, type, data) VALUES ($1, $2, $3)',
+        [job.image_id, 'plates_detected', JSON.stringify({ job_id: job.id, count: regions.length })]
+      );
+      await renderImage(context, regions);
+    }
+  };
+}
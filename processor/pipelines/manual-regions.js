@@ -0,0 +1,37 @@
+// Anonymize only the boxes sent with the job, nothing is detected. The
+// image's stored regions are left alone.
+export function createManualRegionsPipeline({ renderImage }) {
+  return {
+    kind: 'manual_regions',
+    description: 'Anonymize the given boxes without detection',
+    media: ['image/'],
+    optionsSchema: {
+      type: 'object',
+      properties: {
+        regions: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 500,
+          description: 'Boxes in pixels of the upright image',
+          items: {
+            type: 'object',
+            properties: {
+              x: { type: 'integer', minimum: 0 },
+              y: { type: 'integer', minimum: 0 },
+              width: { type: 'integer', minimum: 1 },
+              height: { type: 'integer', minimum: 1 }
+            },
+            required: ['x', 'y', 'width', 'height'],
+            additionalProperties: false
+          }
+        }
+      },
+      required: ['regions'],
+      additionalProperties: false
+    },
+    
+    async run(context) {
+      await renderImage(context, context.pipelineOptions.regions);
+    }
+  };
+}
@@ -0,0 +1,14 @@
+// Re-render an image from its reviewed regions instead of detecting again
+export function createRenderRegionsPipeline({ loadRegions, renderImage }) {
+  return {
+    kind: 'render_regions',
+    description: 'Anonymize the reviewed face regions again',
+    media: ['image/'],
+    optionsSchema: { type: 'object', properties: {}, additionalProperties: false },
+    
+    async run(context) {
+      const regions = await loadRegions(context.client, context.job.image_id);
+      await renderImage(context, regions);
+    }
+  };
+}